@@ -108,6 +108,7 @@ agenda.define("send report", async (job) => {
 
 const cron = require("node-cron");
 
+// ⚠️ Runs in EVERY process: 3 instances = 3 runs per minute. See section 8.
 cron.schedule("* * * * *", () => {
   console.log("Running a job every minute", new Date());
 });
@@ -143,3 +144,1644 @@ const bree = new Bree({
 });
 
 bree.start();
+
+// ! 🧰 5. One Job API for Every Backend
+
+//* Bull, Agenda, node-cron and Bree all define, enqueue and schedule work differently. Moving a job from one to another means rewriting it.
+
+//* Instead, write every job as a plain async handler: async (data, ctx) => { ... }
+
+//* and use one API on top of small backend "drivers":
+
+//* defineJob(name, handler, { backend }) → register the handler on a backend
+
+//* enqueue(name, data, { delay }) → run it once, in the background
+
+//* schedule(name, { cron, timezone } | { every: "5s" }, data) → run it repeatedly
+
+//* A handler can be a function or the path of a module that exports one. Bree runs jobs in worker threads, and a function can't be sent to a worker, so Bree needs the path form.
+
+//* The memory driver runs everything in-process, for unit tests.
+
+// jobs/context.js
+// ctx passed to every handler. Drivers override log/progress to store them on the job.
+const createContext = (id, name) => ({
+  id: String(id),
+  name,
+  log: (message) => console.log(`[${name}:${id}] ${message}`),
+  progress: () => {}, // progress(percent), 0-100
+});
+
+module.exports = { createContext };
+
+// jobs/drivers.js
+const crypto = require("crypto");
+const { createContext } = require("./context");
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// 5000, "5s", "10m", "1h" → milliseconds
+const toMs = (every) => {
+  if (typeof every === "number") return every;
+  const [, amount, unit] = /^(\d+)\s*(ms|s|m|h)$/.exec(every) || [];
+  if (!amount) throw new Error(`Invalid interval: ${every}`);
+  return Number(amount) * UNITS[unit];
+};
+
+const loadHandler = (handler) =>
+  typeof handler === "string" ? require(handler) : handler;
+
+const bullDriver = ({ redisUrl }) => {
+  const queues = new Map();
+
+  return {
+    define(name, handler) {
+      const run = loadHandler(handler);
+      const queue = new Queue(name, redisUrl);
+
+      queue.process(async (job) =>
+        run(job.data, {
+          ...createContext(job.id, name),
+          log: (message) => job.log(message), // stored on the Bull job
+          progress: (percent) => job.progress(percent),
+        })
+      );
+      queues.set(name, queue);
+    },
+
+    async enqueue(name, data, { delay } = {}) {
+      const job = await queues.get(name).add(data, { delay });
+      return String(job.id);
+    },
+
+    async schedule(name, { cron, every, timezone }, data) {
+      const repeat = cron ? { cron, tz: timezone } : { every: toMs(every) };
+      await queues.get(name).add(data, { repeat });
+    },
+
+    stop: () => Promise.all([...queues.values()].map((queue) => queue.close())),
+  };
+};
+
+const agendaDriver = ({ agenda }) => ({
+  define(name, handler) {
+    const run = loadHandler(handler);
+    agenda.define(name, async (job) =>
+      run(job.attrs.data, {
+        ...createContext(job.attrs._id, name),
+        // Agenda has no job logs, keep them on the job document
+        log: (message) => {
+          const line = `${new Date().toISOString()} ${message}`;
+          job.attrs.logs = [...(job.attrs.logs ?? []), line];
+          return job.save();
+        },
+        progress: (percent) => job.touch(percent),
+      })
+    );
+  },
+
+  async enqueue(name, data, { delay } = {}) {
+    const job = delay
+      ? await agenda.schedule(new Date(Date.now() + delay), name, data)
+      : await agenda.now(name, data);
+    return job.attrs._id.toString();
+  },
+
+  async schedule(name, { cron, every, timezone }, data) {
+    await agenda.every(cron ?? toMs(every), name, data, { timezone });
+  },
+
+  start: () => agenda.start(),
+  stop: () => agenda.stop(),
+});
+
+// node-cron only knows schedules, so one-off jobs just run in this process
+// With clusterCron (section 8), each tick runs on one instance only
+const cronDriver = ({ clusterCron } = {}) => {
+  const handlers = new Map();
+  const tasks = [];
+
+  const runNow = (name, data) => {
+    const id = crypto.randomUUID();
+    Promise.resolve(handlers.get(name)(data, createContext(id, name))).catch(
+      (err) => console.error(`❌ Job ${name} failed:`, err)
+    );
+    return id;
+  };
+
+  return {
+    define(name, handler) {
+      handlers.set(name, loadHandler(handler));
+    },
+
+    async enqueue(name, data, { delay = 0 } = {}) {
+      if (!delay) return runNow(name, data);
+
+      const id = crypto.randomUUID();
+      setTimeout(() => runNow(name, data), delay);
+      return id;
+    },
+
+    async schedule(name, spec, data) {
+      const { cron: expression, every, timezone } = spec;
+
+      if (clusterCron) {
+        return clusterCron.schedule(name, spec, ({ scheduledAt }) => {
+          const id = `${name}:${scheduledAt.getTime()}`;
+          return handlers.get(name)(data, createContext(id, name));
+        });
+      }
+
+      if (expression) {
+        tasks.push(
+          cron.schedule(expression, () => runNow(name, data), { timezone })
+        );
+      } else {
+        const timer = setInterval(() => runNow(name, data), toMs(every));
+        tasks.push({ stop: () => clearInterval(timer) });
+      }
+    },
+
+    stop: async () => {
+      tasks.forEach((task) => task.stop());
+      clusterCron?.stop();
+    },
+  };
+};
+
+// Every Bree job runs jobs/run-handler.js in a worker thread, which loads the handler module
+const breeDriver = ({ clusterCron } = {}) => {
+  const handlerPaths = new Map();
+  const RUNNER_PATH = path.join(__dirname, "jobs/run-handler.js");
+
+  // Bree keeps no history, so track each run here: name -> { state, progress, ... }
+  const runs = new Map();
+  const oneOffJobs = new Set(); // enqueue() names, removed after their run
+  const track = (name, changes) =>
+    runs.set(name, {
+      attempts: 0,
+      logs: [],
+      ...runs.get(name),
+      ...changes,
+    });
+
+  const bree = new Bree({
+    jobs: [],
+    // Messages the worker sends with parentPort.postMessage (see run-handler.js)
+    workerMessageHandler: ({ name, message }) => {
+      if (message?.progress !== undefined) {
+        track(name, { progress: message.progress });
+      }
+      if (message?.log) {
+        track(name, { logs: [...(runs.get(name)?.logs ?? []), message.log] });
+      }
+      if (message?.error) track(name, { lastError: message.error });
+    },
+    // Keep the handler's own error over Bree's "exited with code 1"
+    errorHandler: (error, { name }) =>
+      track(name, {
+        state: "failed",
+        lastError: runs.get(name)?.lastError ?? error.message,
+        finishedAt: Date.now(),
+      }),
+  });
+
+  bree.on("worker created", (name) =>
+    track(name, {
+      state: "active",
+      progress: 0,
+      startedAt: Date.now(),
+      finishedAt: null,
+      lastError: null,
+      attempts: (runs.get(name)?.attempts ?? 0) + 1,
+    })
+  );
+
+  bree.on("worker deleted", (name) => {
+    if (runs.get(name)?.state === "active") {
+      track(name, { state: "completed", finishedAt: Date.now() });
+    }
+
+    // Otherwise every enqueue() stays in bree.config.jobs forever
+    if (oneOffJobs.delete(name)) {
+      Promise.resolve(bree.remove(name)).catch((err) =>
+        console.error(`Could not remove Bree job ${name}:`, err)
+      );
+    }
+  });
+
+  const addJob = async (jobName, name, data, options) => {
+    await bree.add({
+      name: jobName,
+      path: RUNNER_PATH,
+      worker: {
+        workerData: { handlerPath: handlerPaths.get(name), name, data },
+      },
+      ...options,
+    });
+  };
+
+  // Resolves when the worker exits, so clusterCron holds its lock for the whole run
+  const runToCompletion = (name) =>
+    new Promise((resolve, reject) => {
+      const onDeleted = (deleted) => {
+        if (deleted !== name) return;
+        bree.off("worker deleted", onDeleted);
+
+        const run = runs.get(name);
+        if (run?.state === "failed") reject(new Error(run.lastError));
+        else resolve();
+      };
+
+      bree.on("worker deleted", onDeleted);
+      Promise.resolve(bree.run(name)).catch((err) => {
+        bree.off("worker deleted", onDeleted);
+        reject(err);
+      });
+    });
+
+  return {
+    bree,
+    runs,
+
+    define(name, handler) {
+      if (typeof handler !== "string") {
+        throw new Error(`Bree job "${name}" needs a handler module path`);
+      }
+      handlerPaths.set(name, handler);
+    },
+
+    async enqueue(name, data, { delay } = {}) {
+      const id = crypto.randomUUID();
+      const jobName = `${name}:${id}`;
+
+      await addJob(jobName, name, data, delay ? { timeout: delay } : {});
+      oneOffJobs.add(jobName);
+      await bree.start(jobName);
+      return id;
+    },
+
+    async schedule(name, spec, data) {
+      const { cron, every, timezone } = spec;
+
+      if (clusterCron) {
+        // No Bree interval: clusterCron decides when (and where) it runs
+        await addJob(name, name, data, {});
+        return clusterCron.schedule(name, spec, () => runToCompletion(name));
+      }
+
+      await addJob(name, name, data, {
+        ...(cron ? { cron } : { interval: toMs(every) }),
+        timezone,
+      });
+      await bree.start(name);
+    },
+
+    stop: async () => {
+      clusterCron?.stop();
+      await bree.stop();
+    },
+  };
+};
+
+// Runs jobs right away in this process. Tests await drain() and inspect `jobs`.
+const memoryDriver = () => {
+  const handlers = new Map();
+  const schedules = new Map();
+  const jobs = [];
+  const pending = new Set();
+
+  const run = (name, data) => {
+    const job = {
+      id: crypto.randomUUID(),
+      name,
+      data,
+      status: "running",
+      progress: 0,
+      logs: [],
+    };
+    jobs.push(job);
+
+    const ctx = {
+      ...createContext(job.id, name),
+      log: (message) => job.logs.push(message),
+      progress: (percent) => (job.progress = percent),
+    };
+
+    const promise = Promise.resolve()
+      .then(() => handlers.get(name)(data, ctx))
+      .then(
+        (result) => Object.assign(job, { status: "completed", result }),
+        (error) => Object.assign(job, { status: "failed", error })
+      )
+      .finally(() => pending.delete(promise));
+
+    pending.add(promise);
+    return job.id;
+  };
+
+  return {
+    jobs,
+    schedules,
+
+    define(name, handler) {
+      handlers.set(name, loadHandler(handler));
+    },
+
+    enqueue: async (name, data) => run(name, data), // delay is ignored in tests
+
+    async schedule(name, spec, data) {
+      schedules.set(name, { spec, data });
+    },
+
+    // Simulate one tick of a scheduled job
+    trigger: (name) => run(name, schedules.get(name)?.data),
+
+    drain: async () => {
+      while (pending.size) await Promise.all(pending);
+    },
+  };
+};
+
+// jobs/run-handler.js (Bree worker)
+const crypto = require("crypto");
+const { parentPort, workerData } = require("worker_threads");
+const { createContext } = require("./context");
+
+(async () => {
+  const { handlerPath, name, data } = workerData;
+
+  try {
+    const handler = require(handlerPath);
+
+    await handler(data, {
+      ...createContext(crypto.randomUUID(), name),
+      log: (message) => parentPort?.postMessage({ log: message }),
+      progress: (percent) => parentPort?.postMessage({ progress: percent }),
+    });
+    parentPort?.postMessage("done"); // tells Bree the job finished
+  } catch (err) {
+    // Send the real error, then exit non-zero so Bree counts the run as failed
+    parentPort?.postMessage({ error: err.message });
+    process.exit(1);
+  }
+})();
+
+// jobs/index.js
+const createJobs = ({ drivers, defaultBackend, forceBackend }) => {
+  const definitions = new Map(); // name -> backend
+
+  const driverFor = (name) => {
+    const backend = definitions.get(name);
+    if (!backend) throw new Error(`Job "${name}" is not defined`);
+    return drivers[backend];
+  };
+
+  return {
+    defineJob(name, handler, options = {}) {
+      // forceBackend: e.g. "memory" in tests, whatever the job normally uses
+      const backend = forceBackend ?? options.backend ?? defaultBackend;
+      if (!drivers[backend]) throw new Error(`Unknown job backend: ${backend}`);
+
+      drivers[backend].define(name, handler, options);
+      definitions.set(name, backend);
+    },
+
+    enqueue: (name, data = {}, options) =>
+      driverFor(name).enqueue(name, data, options),
+
+    schedule: (name, spec, data = {}) =>
+      driverFor(name).schedule(name, spec, data),
+
+    start: () =>
+      Promise.all(Object.values(drivers).map((driver) => driver.start?.())),
+
+    stop: () =>
+      Promise.all(Object.values(drivers).map((driver) => driver.stop?.())),
+  };
+};
+
+module.exports = { createJobs };
+
+// The four examples above, through one API
+const isTest = process.env.NODE_ENV === "test";
+
+// Only built outside tests, so the memory driver never connects to Redis
+const createDrivers = () => {
+  // Several instances share the schedules through Redis (section 8)
+  const clusterCron = createClusterCron({
+    redis: new Redis(process.env.REDIS_URL || "redis://127.0.0.1:6379"),
+  });
+
+  return {
+    bull: bullDriver({ redisUrl: "redis://127.0.0.1:6379" }),
+    agenda: agendaDriver({ agenda }),
+    cron: cronDriver({ clusterCron }),
+    bree: breeDriver({ clusterCron }),
+  };
+};
+
+const drivers = isTest ? { memory: memoryDriver() } : createDrivers();
+
+const jobs = createJobs({
+  defaultBackend: "bull",
+  forceBackend: isTest ? "memory" : undefined,
+  drivers,
+});
+
+// Not "send-email": that Bull queue belongs to the real processor (section 6)
+jobs.defineJob("send-newsletter", async ({ email }) => {
+  console.log(`Sending newsletter to ${email}`);
+});
+
+jobs.defineJob(
+  "send report",
+  async () => {
+    console.log("Sending daily report...");
+  },
+  { backend: "agenda" }
+);
+
+jobs.defineJob(
+  "heartbeat",
+  async () => {
+    console.log("Running a job every minute", new Date());
+  },
+  { backend: "cron" }
+);
+
+// jobs/log-time.js exports: async () => console.log(new Date())
+jobs.defineJob("log-time", path.join(__dirname, "jobs/log-time.js"), {
+  backend: "bree",
+});
+
+(async function () {
+  await jobs.start();
+
+  await jobs.enqueue("send-newsletter", { email: "user@example.com" });
+  // every day at 8am Paris time, even across DST changes
+  await jobs.schedule("send report", {
+    cron: "0 8 * * *",
+    timezone: "Europe/Paris",
+  });
+  await jobs.schedule("heartbeat", { cron: "* * * * *", catchUp: false });
+  await jobs.schedule("log-time", { every: "5s" });
+})();
+
+// Moving "send report" from Agenda to Bull = change { backend: "agenda" } to { backend: "bull" }. The handler stays the same.
+
+// ! 🔁 6. Retries, Backoff & Dead-Letter Queue
+
+//* sendEmailQueue.add({ email }) with no options = one attempt. If the SMTP server hiccups, the email is gone.
+
+//* Retry policy per queue: max attempts + exponential backoff (1s, 2s, 4s, 8s...) with jitter, so 1000 failed jobs don't all retry in the same second.
+
+//* Not every error deserves a retry. "Mailbox does not exist" will fail forever → PermanentError, fail now. "Connection timed out" → RetryableError, try again.
+
+//* Jobs that run out of attempts (or fail permanently) go to a dead-letter queue (DLQ) instead of disappearing. From there you can inspect, replay or purge them.
+
+// jobs/retryPolicy.js
+class RetryableError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "RetryableError";
+  }
+}
+
+class PermanentError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "PermanentError";
+  }
+}
+
+const defaultRetryPolicy = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60 * 60 * 1000, // never wait more than 1h between attempts
+  factor: 2,
+  permanentErrors: [], // extra error classes that should never be retried
+};
+
+const createRetryPolicy = (overrides = {}) => ({
+  ...defaultRetryPolicy,
+  ...overrides,
+});
+
+// "Equal jitter": half the exponential delay + a random part of the other half
+const computeBackoff = (attemptsMade, policy) => {
+  const exponential = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * policy.factor ** (attemptsMade - 1)
+  );
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+};
+
+// Unknown errors are retried: most failures in jobs are network blips
+const isRetryable = (error, policy) => {
+  if (error instanceof RetryableError) return true;
+  if (error instanceof PermanentError) return false;
+  return !policy.permanentErrors.some(
+    (ErrorClass) => error instanceof ErrorClass
+  );
+};
+
+// Wraps a Bull processor: permanent errors skip the remaining attempts
+const withRetryPolicy = (processor, policy) => async (job) => {
+  try {
+    return await processor(job);
+  } catch (error) {
+    if (!isRetryable(error, policy)) await job.discard();
+    throw error;
+  }
+};
+
+module.exports = {
+  RetryableError,
+  PermanentError,
+  createRetryPolicy,
+  computeBackoff,
+  isRetryable,
+  withRetryPolicy,
+};
+
+// jobs/deadLetterQueue.js
+// A second Bull queue nobody processes: jobs just wait there until someone looks
+const createDeadLetterQueue = (queue, redisUrl) => {
+  const dlq = new Queue(`${queue.name}-dead-letter`, redisUrl);
+
+  const toDeadLetter = (job) => ({ id: job.id, ...job.data });
+
+  // Put it back on the original queue with a fresh set of attempts
+  const replay = async (id) => {
+    const dead = await dlq.getJob(id);
+    if (!dead) return null;
+
+    const job = await queue.add(dead.data.data);
+    await dead.remove();
+    return job.id;
+  };
+
+  return {
+    queue: dlq,
+
+    add: (job, error) =>
+      dlq.add(
+        {
+          queue: queue.name,
+          jobId: job.id,
+          data: job.data,
+          attemptsMade: job.attemptsMade,
+          error: {
+            name: error.name,
+            message: error.message,
+            stack: error.stack,
+          },
+          failedAt: new Date().toISOString(),
+        },
+        // Same job is never dead-lettered twice
+        { jobId: `${queue.name}:${job.id}` }
+      ),
+
+    async list({ start = 0, end = 49 } = {}) {
+      const jobs = await dlq.getWaiting(start, end);
+      return jobs.map(toDeadLetter);
+    },
+
+    async get(id) {
+      const job = await dlq.getJob(id);
+      return job ? toDeadLetter(job) : null;
+    },
+
+    replay,
+
+    async replayAll() {
+      const jobs = await dlq.getWaiting();
+      return Promise.all(jobs.map((job) => replay(job.id)));
+    },
+
+    async purge(id) {
+      if (!id) return dlq.empty();
+      const job = await dlq.getJob(id);
+      return job?.remove();
+    },
+  };
+};
+
+module.exports = { createDeadLetterQueue };
+
+// queues/sendEmailQueue.js
+const { emailService } = require("../services/emailService"); // SOLID.JS
+
+const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+
+const emailRetryPolicy = createRetryPolicy({
+  maxAttempts: 6,
+  baseDelayMs: 5000,
+});
+
+const sendEmailQueue = new Queue("send-email", REDIS_URL, {
+  settings: {
+    backoffStrategies: {
+      jitter: (attemptsMade) => computeBackoff(attemptsMade, emailRetryPolicy),
+    },
+  },
+  // Every add() gets these unless it overrides them, e.g. add(data, { attempts: 2 })
+  defaultJobOptions: {
+    attempts: emailRetryPolicy.maxAttempts,
+    backoff: { type: "jitter" },
+    removeOnComplete: 1000, // keep the last 1000 for inspection
+  },
+});
+
+const emailDeadLetters = createDeadLetterQueue(sendEmailQueue, REDIS_URL);
+
+const SENT_KEY_TTL = 7 * 24 * 60 * 60; // seconds
+
+sendEmailQueue.process(
+  withRetryPolicy(async (job) => {
+    // { to, template, vars } or { to, subject, html }. Older jobs use `email` for `to`.
+    const { idempotencyKey, email, ...message } = job.data;
+
+    // The same event can be published twice (SOLID.JS outbox), send it once
+    const sentKey = idempotencyKey && `email:sent:${idempotencyKey}`;
+    if (sentKey && (await sendEmailQueue.client.exists(sentKey))) {
+      return { skipped: "already sent" };
+    }
+
+    try {
+      await emailService.send({ to: email, ...message });
+    } catch (err) {
+      // SMTP 5xx = the server said no for good (bad address...), 4xx = try later
+      if (err.responseCode >= 500) {
+        throw new PermanentError(err.message, { cause: err });
+      }
+      throw new RetryableError(err.message, { cause: err });
+    }
+
+    if (sentKey) {
+      await sendEmailQueue.client.set(sentKey, job.id, "EX", SENT_KEY_TTL);
+    }
+  }, emailRetryPolicy)
+);
+
+// "failed" fires after EVERY failed attempt, only dead-letter the last one
+sendEmailQueue.on("failed", async (job, error) => {
+  const exhausted =
+    job.attemptsMade >= job.opts.attempts ||
+    !isRetryable(error, emailRetryPolicy);
+
+  if (!exhausted) return;
+
+  try {
+    await emailDeadLetters.add(job, error);
+  } catch (err) {
+    // Nothing else will retry this: log loudly, the job stays in "failed"
+    console.error(`❌ Could not dead-letter job ${job.id}:`, err);
+  }
+});
+
+// The one way the app sends email: in the background, with retries
+const queueEmail = (message, options) => sendEmailQueue.add(message, options);
+
+module.exports = { sendEmailQueue, emailDeadLetters, queueEmail };
+
+// routes/deadLetterRoutes.js
+// Ops only: authenticateUser + authorize from JwtTokensCookies.js
+
+// Same error shape for every admin route, err.status (409...) for expected errors
+const handle = (fn) => async (req, res) => {
+  try {
+    await fn(req, res);
+  } catch (err) {
+    console.error("Job admin error:", err);
+    res.status(err.status || 500).json({ message: err.message });
+  }
+};
+
+const router = express.Router();
+router.use(authenticateUser, authorize("jobs:manage"));
+
+router.get(
+  "/",
+  handle(async (req, res) => {
+    const start = Number(req.query.start) || 0;
+    const deadLetters = await emailDeadLetters.list({
+      start,
+      end: start + 49,
+    });
+    res.json({ deadLetters });
+  })
+);
+
+router.get(
+  "/:id",
+  handle(async (req, res) => {
+    const deadLetter = await emailDeadLetters.get(req.params.id);
+    if (!deadLetter) return res.status(404).json({ message: "Not found" });
+    res.json({ deadLetter });
+  })
+);
+
+router.post(
+  "/:id/replay",
+  handle(async (req, res) => {
+    const jobId = await emailDeadLetters.replay(req.params.id);
+    if (!jobId) return res.status(404).json({ message: "Not found" });
+    res.json({ message: "Job re-queued", jobId });
+  })
+);
+
+router.post(
+  "/replay",
+  handle(async (req, res) => {
+    const jobIds = await emailDeadLetters.replayAll();
+    res.json({ message: `${jobIds.length} jobs re-queued`, jobIds });
+  })
+);
+
+router.delete(
+  "/:id",
+  handle(async (req, res) => {
+    await emailDeadLetters.purge(req.params.id);
+    res.json({ message: "Dead letter purged" });
+  })
+);
+
+router.delete(
+  "/",
+  handle(async (req, res) => {
+    await emailDeadLetters.purge();
+    res.json({ message: "All dead letters purged" });
+  })
+);
+
+app.use("/admin/dead-letters/send-email", router);
+
+// ! 📋 7. Job Status API (admin dashboard)
+
+//* "Did the welcome email for user X go out?" "Is today's 8am report still running?" Without an API, someone has to dig through Redis or Mongo.
+
+//* Each backend gets an "inspector" that turns its jobs into ONE shape:
+
+//* { id, backend, queue, name, state, attempts, maxAttempts, progress, createdAt, startedAt, finishedAt, durationMs, logs, lastError, data }
+
+//* state is one of: waiting | active | delayed | completed | failed
+
+//* Job ids are "<backend>:<queue>:<jobId>", e.g. bull:send-email:42, so one route can find any job.
+
+//* Handlers report progress with ctx.progress(50) and logs with ctx.log("...") (section 5).
+
+// jobs/jobInspectors.js
+const { ObjectId } = require("mongodb");
+
+const toIso = (time) => (time ? new Date(time).toISOString() : null);
+
+const timings = (createdAt, startedAt, finishedAt) => ({
+  createdAt: toIso(createdAt),
+  startedAt: toIso(startedAt),
+  finishedAt: toIso(finishedAt),
+  durationMs:
+    startedAt && finishedAt ? new Date(finishedAt) - new Date(startedAt) : null,
+});
+
+// Job data shouldn't hold secrets (SOLID.JS sends links made at send time), but never show one if it does
+const SECRET_KEY = /password|token|secret/i;
+
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== "object") return value;
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      SECRET_KEY.test(key) ? "[redacted]" : redactSecrets(field),
+    ])
+  );
+};
+
+// q searches the (redacted) job data: "did the welcome email for user X go out?"
+const matchesQuery = (data, q) =>
+  !q || JSON.stringify(redactSecrets(data ?? {})).includes(q);
+
+// list() reads jobs page by page until it has `limit` matches, so a search
+// isn't limited to the newest jobs. MAX_SCANNED bounds the work per request.
+const PAGE_SIZE = 200;
+const MAX_SCANNED = 10 * 1000;
+
+// Thrown when an action doesn't make sense for the job's current state
+const conflict = (message) =>
+  Object.assign(new Error(message), { status: 409 });
+
+const ALL_STATES = ["active", "waiting", "delayed", "failed", "completed"];
+
+const bullInspector = (queue) => {
+  const key = `bull:${queue.name}`;
+
+  const normalize = async (job) => {
+    const [state, { logs }] = await Promise.all([
+      job.getState(),
+      queue.getJobLogs(job.id),
+    ]);
+
+    return {
+      id: `${key}:${job.id}`,
+      backend: "bull",
+      queue: queue.name,
+      name: job.name,
+      state,
+      attempts: job.attemptsMade,
+      maxAttempts: job.opts.attempts ?? 1,
+      progress: job.progress(),
+      ...timings(job.timestamp, job.processedOn, job.finishedOn),
+      logs,
+      lastError: job.failedReason ?? null,
+      data: redactSecrets(job.data),
+    };
+  };
+
+  return {
+    key,
+
+    async list({ states = ALL_STATES, limit, q }) {
+      const matches = [];
+
+      for (
+        let start = 0;
+        matches.length < limit && start < MAX_SCANNED;
+        start += PAGE_SIZE
+      ) {
+        const end = start + PAGE_SIZE - 1;
+        const page = (await queue.getJobs(states, start, end)).filter(Boolean);
+        if (page.length === 0) break;
+
+        matches.push(...page.filter((job) => matchesQuery(job.data, q)));
+      }
+
+      return Promise.all(matches.slice(0, limit).map(normalize));
+    },
+
+    async get(jobId) {
+      const job = await queue.getJob(jobId);
+      return job ? normalize(job) : null;
+    },
+
+    async retry(jobId) {
+      const job = await queue.getJob(jobId);
+      if (!job) return null;
+      if ((await job.getState()) !== "failed") {
+        throw conflict("Only failed jobs can be retried");
+      }
+
+      await job.retry();
+      return normalize(job);
+    },
+
+    async cancel(jobId) {
+      const job = await queue.getJob(jobId);
+      if (!job) return null;
+
+      const state = await job.getState();
+      if (state === "active") throw conflict("Bull can't stop a running job");
+      if (state === "completed" || state === "failed") {
+        throw conflict("Job already finished");
+      }
+
+      const cancelled = await normalize(job);
+      await job.remove();
+      return { ...cancelled, state: "cancelled" };
+    },
+  };
+};
+
+const agendaState = ({ lockedAt, failedAt, lastFinishedAt, nextRunAt }) => {
+  if (lockedAt) return "active";
+  if (failedAt && lastFinishedAt && failedAt >= lastFinishedAt) return "failed";
+  if (nextRunAt && nextRunAt > new Date()) return "delayed";
+  if (nextRunAt) return "waiting";
+  return "completed";
+};
+
+const agendaInspector = (agenda) => {
+  const key = "agenda:jobs";
+
+  const normalize = ({ attrs }) => ({
+    id: `${key}:${attrs._id}`,
+    backend: "agenda",
+    queue: "jobs",
+    name: attrs.name,
+    state: agendaState(attrs),
+    attempts: attrs.failCount ?? 0, // Agenda only counts failures
+    maxAttempts: null,
+    progress: attrs.progress ?? null,
+    ...timings(attrs._id.getTimestamp(), attrs.lastRunAt, attrs.lastFinishedAt),
+    logs: attrs.logs ?? [],
+    lastError: attrs.failReason ?? null,
+    data: redactSecrets(attrs.data),
+  });
+
+  const findJob = async (jobId) => {
+    if (!ObjectId.isValid(jobId)) return null;
+    const [job] = await agenda.jobs({ _id: new ObjectId(jobId) });
+    return job ?? null;
+  };
+
+  return {
+    key,
+
+    async list({ states = ALL_STATES, limit, q }) {
+      const matches = [];
+
+      for (
+        let skip = 0;
+        matches.length < limit && skip < MAX_SCANNED;
+        skip += PAGE_SIZE
+      ) {
+        const page = await agenda.jobs({}, { lastRunAt: -1 }, PAGE_SIZE, skip);
+        if (page.length === 0) break;
+
+        matches.push(
+          ...page
+            .map(normalize)
+            .filter((job) => states.includes(job.state))
+            .filter((job) => matchesQuery(job.data, q))
+        );
+      }
+
+      return matches.slice(0, limit);
+    },
+
+    async get(jobId) {
+      const job = await findJob(jobId);
+      return job ? normalize(job) : null;
+    },
+
+    async retry(jobId) {
+      const job = await findJob(jobId);
+      if (!job) return null;
+      if (job.attrs.lockedAt) throw conflict("Job is already running");
+
+      job.schedule(new Date()); // run again as soon as possible
+      await job.save();
+      return normalize(job);
+    },
+
+    async cancel(jobId) {
+      const job = await findJob(jobId);
+      if (!job) return null;
+      if (job.attrs.lockedAt) throw conflict("Agenda can't stop a running job");
+
+      await agenda.cancel({ _id: job.attrs._id });
+      return { ...normalize(job), state: "cancelled" };
+    },
+  };
+};
+
+// Works on the Bree driver from section 5, which tracks every run
+const breeInspector = ({ bree, runs }) => {
+  const key = "bree:jobs";
+
+  const normalize = (name) => {
+    const run = runs.get(name) ?? { attempts: 0, logs: [] };
+
+    return {
+      id: `${key}:${name}`,
+      backend: "bree",
+      queue: "jobs",
+      name,
+      state: run.state ?? "delayed", // configured, hasn't run yet
+      attempts: run.attempts,
+      maxAttempts: null,
+      progress: run.progress ?? null,
+      ...timings(run.startedAt, run.startedAt, run.finishedAt),
+      logs: run.logs,
+      lastError: run.lastError ?? null,
+      data: null,
+    };
+  };
+
+  // Finished enqueue() jobs are removed from Bree, only their run is left
+  const configured = (name) =>
+    bree.config.jobs.some((job) => job.name === name);
+  const exists = (name) => configured(name) || runs.has(name);
+
+  return {
+    key,
+
+    async list({ states = ALL_STATES, limit, q }) {
+      const names = new Set([
+        ...bree.config.jobs.map((job) => job.name),
+        ...runs.keys(),
+      ]);
+
+      return [...names]
+        .map(normalize)
+        .filter((job) => states.includes(job.state))
+        .filter((job) => matchesQuery(job.data, q))
+        .slice(0, limit);
+    },
+
+    get: async (name) => (exists(name) ? normalize(name) : null),
+
+    async retry(name) {
+      if (!exists(name)) return null;
+      if (!configured(name)) throw conflict("Job was removed, enqueue again");
+      if (bree.workers.has(name)) throw conflict("Job is already running");
+
+      await bree.run(name);
+      return normalize(name);
+    },
+
+    async cancel(name) {
+      if (!exists(name)) return null;
+      if (!configured(name)) throw conflict("Job has already finished");
+
+      await bree.stop(name); // terminates the worker and its schedule
+      return { ...normalize(name), state: "cancelled" };
+    },
+  };
+};
+
+module.exports = { bullInspector, agendaInspector, breeInspector };
+
+// routes/jobRoutes.js
+// Ops only: authenticateUser + authorize from JwtTokensCookies.js
+const inspectors = new Map(
+  [
+    bullInspector(sendEmailQueue),
+    agendaInspector(agenda),
+    drivers.bree && breeInspector(drivers.bree), // no Bree in tests
+  ]
+    .filter(Boolean)
+    .map((inspector) => [inspector.key, inspector])
+);
+
+// "bull:send-email:42" → the send-email inspector + job 42
+const resolveJob = (id) => {
+  const [backend, queue, ...rest] = id.split(":");
+  return {
+    inspector: inspectors.get(`${backend}:${queue}`),
+    jobId: rest.join(":"),
+  };
+};
+
+const jobAction = (action) =>
+  handle(async (req, res) => {
+    const { inspector, jobId } = resolveJob(req.params.id);
+    const job = inspector && (await inspector[action](jobId));
+
+    if (!job) return res.status(404).json({ message: "Job not found" });
+    res.json({ job });
+  });
+
+const jobRouter = express.Router();
+jobRouter.use(authenticateUser, authorize("jobs:read"));
+
+// GET /admin/jobs?queue=send-email&state=failed,active&q=user@example.com&limit=50
+jobRouter.get(
+  "/",
+  handle(async (req, res) => {
+    const { queue, state, q } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const states = state ? state.split(",") : undefined;
+
+    const selected = [...inspectors.values()].filter(
+      (inspector) => !queue || inspector.key.endsWith(`:${queue}`)
+    );
+    const lists = await Promise.all(
+      selected.map((inspector) => inspector.list({ states, limit, q }))
+    );
+
+    const jobs = lists
+      .flat()
+      .sort((a, b) => (b.createdAt ?? "").localeCompare(a.createdAt ?? ""))
+      .slice(0, limit);
+
+    res.json({ jobs });
+  })
+);
+
+jobRouter.get("/:id", jobAction("get"));
+jobRouter.post("/:id/retry", authorize("jobs:manage"), jobAction("retry"));
+jobRouter.post("/:id/cancel", authorize("jobs:manage"), jobAction("cancel"));
+
+app.use("/admin/jobs", jobRouter);
+
+// ! 🕐 8. Cluster-Safe Cron (node-cron & Bree)
+
+//* cron.schedule() and Bree run in every process. On 3 Render instances, the "* * * * *" job runs 3 times a minute and the daily report is sent 3 times.
+
+//* Agenda doesn't have this problem because it locks jobs in Mongo. For node-cron and Bree we do the same with Redis:
+
+//* 1. One run per tick: each tick has a fixed time (e.g. 08:00:00). Instances race to move "last run" forward to that time with a Lua script. Only the first one wins and runs the job.
+
+//* 2. No overlap: while a run is going, it holds a "running" lock (renewed every few seconds). If the next tick comes and the lock is still there, the tick is skipped.
+
+//* 3. Missed runs: after downtime (deploy, crash), the ticks between "last run" and now are caught up on start.
+//*    catchUp: "latest" (default) runs only the last missed tick, "all" runs each one (up to maxCatchUp), false skips them.
+
+//* 4. Timezones: ticks come from cron-parser with { tz }, so "0 8 * * *" in Europe/Paris stays at 8am local time across DST changes.
+
+//* Why per-tick locks and not a leader? With a leader, the other instances sit idle and a dead leader means missed ticks until its lease runs out. Here any live instance can pick up any tick.
+
+// jobs/clusterCron.js
+const os = require("os");
+const Redis = require("ioredis");
+const cronParser = require("cron-parser");
+
+const MAX_TIMEOUT = 2 ** 31 - 1; // setTimeout's limit (~24.8 days)
+
+// Moves "last run" to the tick, only if no instance got there first
+const CLAIM_TICK = `
+  local last = tonumber(redis.call("GET", KEYS[1]) or "0")
+  if tonumber(ARGV[1]) <= last then return 0 end
+  redis.call("SET", KEYS[1], ARGV[1])
+  return 1
+`;
+
+// Only the owner of the lock may extend or release it
+const EXTEND_LOCK = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+const RELEASE_LOCK = `
+  if redis.call("GET", KEYS[1]) == ARGV[1] then
+    return redis.call("DEL", KEYS[1])
+  end
+  return 0
+`;
+
+// next(after) → time (ms) of the first tick strictly after `after`
+const createTimetable = ({ cron: expression, every, timezone }) => {
+  if (expression) {
+    return {
+      next: (after) =>
+        cronParser
+          .parseExpression(expression, {
+            currentDate: new Date(after),
+            tz: timezone,
+          })
+          .next()
+          .getTime(),
+    };
+  }
+
+  // Intervals are aligned to the clock, so every instance agrees on the ticks
+  const ms = toMs(every);
+  return { next: (after) => (Math.floor(after / ms) + 1) * ms };
+};
+
+const createClusterCron = ({
+  redis,
+  prefix = "cron",
+  lockTtl = 30 * 1000,
+  owner = `${os.hostname()}:${process.pid}`,
+} = {}) => {
+  const timers = new Map();
+  let stopped = false;
+
+  const lastRunKey = (name) => `${prefix}:${name}:last`;
+  const runningKey = (name) => `${prefix}:${name}:running`;
+
+  const runTick = async (name, handler, scheduledAt) => {
+    // 1. One instance per tick
+    const claimed = await redis.eval(
+      CLAIM_TICK,
+      1,
+      lastRunKey(name),
+      scheduledAt
+    );
+    if (!claimed) return;
+
+    // 2. No overlap with a run that's still going, on any instance
+    const token = `${owner}:${scheduledAt}`;
+    const locked = await redis.set(
+      runningKey(name),
+      token,
+      "PX",
+      lockTtl,
+      "NX"
+    );
+    if (!locked) {
+      console.warn(`⏭️ ${name}: previous run still going, tick skipped`);
+      return;
+    }
+
+    // Keep the lock while the job runs, however long it takes
+    // One missed renewal is fine, the next one (or the lock TTL) covers it
+    const heartbeat = setInterval(
+      () =>
+        redis
+          .eval(EXTEND_LOCK, 1, runningKey(name), token, lockTtl)
+          .catch((err) =>
+            console.error(`⚠️ ${name}: lock renewal failed`, err)
+          ),
+      lockTtl / 3
+    );
+
+    try {
+      await handler({ name, scheduledAt: new Date(scheduledAt) });
+    } catch (err) {
+      console.error(`❌ Cron job ${name} failed:`, err);
+    } finally {
+      clearInterval(heartbeat);
+      await redis.eval(RELEASE_LOCK, 1, runningKey(name), token);
+    }
+  };
+
+  // 3. Ticks missed while no instance was up
+  const catchUp = async (name, handler, timetable, options) => {
+    const { catchUp: mode = "latest", maxCatchUp = 10 } = options;
+    const last = Number(await redis.get(lastRunKey(name)));
+
+    // First deploy: nothing was missed, start counting from now
+    if (!last) {
+      await redis.set(lastRunKey(name), Date.now(), "NX");
+      return;
+    }
+    if (!mode) return;
+
+    const missed = [];
+    for (
+      let tick = timetable.next(last);
+      tick <= Date.now();
+      tick = timetable.next(tick)
+    ) {
+      missed.push(tick);
+    }
+
+    const toRun = mode === "all" ? missed.slice(-maxCatchUp) : missed.slice(-1);
+    if (toRun.length) {
+      console.log(`⏪ ${name}: catching up ${toRun.length} missed run(s)`);
+    }
+
+    for (const tick of toRun) {
+      await runTick(name, handler, tick);
+    }
+  };
+
+  const arm = (name, handler, timetable, at = timetable.next(Date.now())) => {
+    if (stopped) return;
+
+    const timer = setTimeout(
+      () => {
+        // Long delays are capped, so we may wake up before the tick
+        if (Date.now() < at) return arm(name, handler, timetable, at);
+
+        // Don't wait for the run: the running lock handles overlaps
+        runTick(name, handler, at).catch((err) =>
+          console.error(`❌ Cron tick ${name} failed:`, err)
+        );
+        arm(name, handler, timetable);
+      },
+      Math.min(Math.max(at - Date.now(), 0), MAX_TIMEOUT)
+    );
+
+    timers.set(name, timer);
+  };
+
+  return {
+    // spec: { cron, timezone } | { every: "5s" }, plus catchUp / maxCatchUp
+    async schedule(name, spec, handler) {
+      const timetable = createTimetable(spec);
+      arm(name, handler, timetable);
+
+      // In the background: a long missed run (the daily report) must not hold
+      // up startup or the schedules registered after this one
+      catchUp(name, handler, timetable, spec).catch((err) =>
+        console.error(`❌ ${name}: catch-up failed`, err)
+      );
+    },
+
+    stop() {
+      stopped = true;
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+};
+
+module.exports = { createClusterCron };
+
+// The section 3 example, safe on any number of instances:
+// const clusterCron = createClusterCron({ redis: new Redis(process.env.REDIS_URL) });
+// clusterCron.schedule("every-minute", { cron: "* * * * *" }, async () => {
+//   console.log("Running a job every minute", new Date());
+// });
+
+// ! 🧵 9. Worker Thread Pool for CPU-Heavy Jobs
+
+//* Bull runs sendEmailQueue.process() handlers on the main event loop. Fine for I/O (SMTP, HTTP), but a 10-second PDF report blocks every API request for 10 seconds.
+
+//* Bree runs each job in a new worker thread. Starting a thread per job is slow, so here we keep a POOL of threads and send them jobs.
+
+//* Any queue processor can opt in with runInPool(). The handler is a module path (a function can't be sent to a thread), same as Bree.
+
+//* pool.run(handlerPath, data, { timeoutMs, signal, onProgress, onLog }) → Promise of the handler's result
+
+//* Timeouts & cancellation: CPU-bound code can't be interrupted, so the only way to stop it is to kill its thread. The pool then starts a new one.
+
+//* resourceLimits: caps each thread's heap. A job that leaks memory kills its thread (ERR_WORKER_OUT_OF_MEMORY), not the API process.
+
+//* Crashes: a thread that dies (OOM, process.exit, uncaught error) fails its job and is replaced.
+
+// jobs/pool-worker.js (runs inside each thread)
+const { parentPort } = require("worker_threads");
+const { createContext } = require("./context");
+
+parentPort.on("message", async ({ handlerPath, id, name, data }) => {
+  const post = (message) => parentPort.postMessage(message);
+
+  try {
+    const handler = require(handlerPath);
+    const result = await handler(data, {
+      ...createContext(id, name),
+      log: (message) => post({ type: "log", message }),
+      progress: (percent) => post({ type: "progress", percent }),
+    });
+
+    post({ type: "done", result }); // must be cloneable: no functions, sockets...
+  } catch (err) {
+    // Errors can't cross threads as-is, send the parts we need
+    const { name: errorName, message, stack, code } = err;
+    post({ type: "failed", error: { name: errorName, message, stack, code } });
+  }
+});
+
+// jobs/workerPool.js
+const { Worker } = require("worker_threads");
+
+const POOL_WORKER_PATH = path.join(__dirname, "jobs/pool-worker.js");
+const MAX_RESPAWN_DELAY = 30 * 1000;
+
+const createWorkerPool = ({
+  size = Math.max(os.availableParallelism() - 1, 1), // leave a core for the API
+  resourceLimits = { maxOldGenerationSizeMb: 256 },
+  timeoutMs = 60 * 1000,
+} = {}) => {
+  const workers = new Set();
+  const idle = [];
+  const busy = new Map(); // worker -> task
+  const waiting = []; // tasks waiting for a free worker
+  const stopping = new WeakSet(); // workers we terminated on purpose
+  const respawnTimers = new Set();
+  let crashes = 0; // in a row, with no finished task in between
+  let destroyed = false;
+
+  const settle = (task, error, result) => {
+    if (!task || task.settled) return;
+    task.settled = true;
+
+    clearTimeout(task.timer);
+    task.signal?.removeEventListener("abort", task.onAbort);
+
+    if (error) task.reject(error);
+    else task.resolve(result);
+  };
+
+  // Fails the task and kills its thread. The "exit" handler starts a new one.
+  const stopWorker = (worker, reason) => {
+    settle(busy.get(worker), reason);
+    busy.delete(worker);
+    stopping.add(worker);
+    worker.terminate();
+  };
+
+  const replace = () => {
+    if (destroyed) return;
+    if (workers.size < size) idle.push(spawn()); // keep the pool at full size
+    next();
+  };
+
+  // A worker that dies on startup (bad path, syntax error) would respawn in a
+  // tight loop forever: wait 100ms, 200ms, 400ms... up to 30s between crashes
+  const replaceAfterCrash = () => {
+    crashes++;
+    const delay = Math.min(100 * 2 ** (crashes - 1), MAX_RESPAWN_DELAY);
+    console.error(
+      `❌ Pool worker crashed (${crashes} in a row), restarting in ${delay}ms`
+    );
+
+    const timer = setTimeout(() => {
+      respawnTimers.delete(timer);
+      replace();
+    }, delay);
+    respawnTimers.add(timer);
+  };
+
+  const spawn = () => {
+    const worker = new Worker(POOL_WORKER_PATH, { resourceLimits });
+    workers.add(worker);
+
+    worker.on("message", (message) => {
+      const task = busy.get(worker);
+      if (!task) return;
+
+      if (message.type === "progress") {
+        return task.onProgress?.(message.percent);
+      }
+      if (message.type === "log") return task.onLog?.(message.message);
+
+      const error =
+        message.type === "failed" &&
+        Object.assign(new Error(message.error.message), message.error);
+
+      crashes = 0; // workers do start fine
+      settle(task, error, message.result);
+      busy.delete(worker);
+      idle.push(worker);
+      next();
+    });
+
+    // Crash: OOM, uncaught exception outside the handler...
+    worker.on("error", (err) => {
+      settle(busy.get(worker), err);
+      busy.delete(worker);
+    });
+
+    worker.on("exit", (code) => {
+      workers.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+
+      settle(busy.get(worker), new Error(`Worker exited with code ${code}`));
+      busy.delete(worker);
+
+      if (destroyed) return;
+      if (stopping.has(worker)) replace(); // timeout / abort, not a crash
+      else replaceAfterCrash();
+    });
+
+    return worker;
+  };
+
+  const next = () => {
+    // No new threads while waiting out a crash backoff
+    const canSpawn = () => workers.size < size && respawnTimers.size === 0;
+
+    while (waiting.length && (idle.length || canSpawn())) {
+      const worker = idle.pop() ?? spawn();
+      const task = waiting.shift();
+
+      busy.set(worker, task);
+      task.timer = setTimeout(() => {
+        const error = new Error(`Job timed out after ${task.timeoutMs}ms`);
+        stopWorker(worker, Object.assign(error, { code: "ERR_JOB_TIMEOUT" }));
+      }, task.timeoutMs);
+
+      const { handlerPath, id, name, data } = task;
+      worker.postMessage({ handlerPath, id, name, data });
+    }
+  };
+
+  const cancel = (task, reason) => {
+    const position = waiting.indexOf(task);
+    if (position !== -1) {
+      waiting.splice(position, 1);
+      return settle(task, reason);
+    }
+
+    const [worker] = [...busy].find(([, running]) => running === task) ?? [];
+    if (worker) stopWorker(worker, reason);
+  };
+
+  return {
+    run(handlerPath, data, options = {}) {
+      const { signal, onProgress, onLog } = options;
+
+      return new Promise((resolve, reject) => {
+        if (destroyed) return reject(new Error("Worker pool destroyed"));
+        if (signal?.aborted) return reject(signal.reason);
+
+        const task = {
+          handlerPath,
+          data,
+          id: String(options.id ?? crypto.randomUUID()),
+          name: options.name ?? path.basename(handlerPath, ".js"),
+          timeoutMs: options.timeoutMs ?? timeoutMs,
+          signal,
+          onProgress,
+          onLog,
+          resolve,
+          reject,
+        };
+
+        task.onAbort = () => cancel(task, signal.reason);
+        signal?.addEventListener("abort", task.onAbort, { once: true });
+
+        waiting.push(task);
+        next();
+      });
+    },
+
+    stats: () => ({
+      size: workers.size,
+      busy: busy.size,
+      waiting: waiting.length,
+    }),
+
+    async destroy() {
+      destroyed = true;
+      respawnTimers.forEach((timer) => clearTimeout(timer));
+
+      const error = new Error("Worker pool destroyed");
+      waiting.splice(0).forEach((task) => settle(task, error));
+      busy.forEach((task) => settle(task, error));
+
+      await Promise.all([...workers].map((worker) => worker.terminate()));
+    },
+  };
+};
+
+// Turns a pooled handler into a Bull processor. Progress, logs, result and error end up on the Bull job.
+const runInPool = (pool, handlerPath, options = {}) => async (job) => {
+  try {
+    return await pool.run(handlerPath, job.data, {
+      ...options,
+      id: job.id,
+      name: job.name,
+      onProgress: (percent) => job.progress(percent),
+      onLog: (message) => job.log(message),
+    });
+  } catch (err) {
+    // Same heap cap next time = same crash. A PermanentError from the handler lost its class crossing threads.
+    if (
+      err.code === "ERR_WORKER_OUT_OF_MEMORY" ||
+      err.name === "PermanentError"
+    ) {
+      throw new PermanentError(err.message, { cause: err });
+    }
+    throw err;
+  }
+};
+
+module.exports = { createWorkerPool, runInPool };
+
+// queues/reportQueue.js
+const REPORT_HANDLER = path.join(__dirname, "jobs/generate-report.js");
+
+const reportPool = createWorkerPool({
+  size: 2,
+  resourceLimits: { maxOldGenerationSizeMb: 512 },
+});
+
+const reportRetryPolicy = createRetryPolicy({ maxAttempts: 3 });
+// Same wiring as sendEmailQueue: the policy decides, Bull does the retrying
+const reportQueue = new Queue("generate-report", REDIS_URL, {
+  settings: {
+    backoffStrategies: {
+      jitter: (attemptsMade) => computeBackoff(attemptsMade, reportRetryPolicy),
+    },
+  },
+  defaultJobOptions: {
+    attempts: reportRetryPolicy.maxAttempts,
+    backoff: { type: "jitter" },
+    removeOnComplete: 1000,
+  },
+});
+
+// Bull concurrency = pool size, so jobs wait in Redis and not in memory
+reportQueue.process(
+  2,
+  withRetryPolicy(
+    runInPool(reportPool, REPORT_HANDLER, { timeoutMs: 5 * 60 * 1000 }),
+    reportRetryPolicy
+  )
+);
+
+// Also usable outside a queue. signal stops the work when the client goes away.
+app.get("/reports/:id/preview", authenticateUser, async (req, res) => {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const preview = await reportPool.run(
+      REPORT_HANDLER,
+      { reportId: req.params.id, preview: true },
+      { timeoutMs: 10 * 1000, signal: controller.signal }
+    );
+    res.json({ preview });
+  } catch (err) {
+    if (controller.signal.aborted) return; // nobody is listening
+
+    const status = err.code === "ERR_JOB_TIMEOUT" ? 504 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// A SIGTERM listener replaces Node's default exit, so exit ourselves once done.
+// Close the queue first: it stops taking jobs and waits for the active ones.
+process.once("SIGTERM", async () => {
+  try {
+    await reportQueue.close();
+    await reportPool.destroy();
+    process.exit(0);
+  } catch (err) {
+    console.error("Report shutdown failed:", err);
+    process.exit(1);
+  }
+});
@@ -54,14 +54,194 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Max 100 requests per IP in 15 mins
   message: "Too many requests, try again later.",
+  skip: (req) => req.path === "/login", // login has its own, stricter protection
 });
 
 app.use(limiter);
 
-app.post("/login", limiter, loginHandler);
-
 //! You're telling Express: Before any request hits my routes, pass it through the limiter function.”
 
 //! express-rate-limit is a middleware.
 
 //* In Express, middleware functions are functions that have access to the req, res, and next objects, and they sit in the request-response cycle. They can modify the request, the response, or stop the request entirely.
+
+// ! 🔐 4. Brute-Force Login Protection
+
+//* A general limiter (100 req / 15 min) is far too generous for /login: that's 100 password guesses per IP.
+
+//* Login gets its own layers:
+
+//* - loginLimiter: a separate express-rate-limit budget, successful logins don't count.
+
+//* - Progressive delay: each failure (per username AND per IP) makes the next attempt slower: 250ms, 500ms, 1s, 2s...
+
+//* - Account lockout: after MAX_FAILURES failures the username is locked for a while. A successful login resets it.
+
+//* State lives in Redis so it survives restarts and is shared by all instances. Every failure / lockout is emitted as a security event.
+
+//* Each attempt is reserved (counted) in one Lua step BEFORE the password is checked. Reading the counters and counting only after the response would let 50 parallel guesses all see "0 failures". A success or a non-401 answer gives the reservation back.
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Max 20 failed logins per IP in 15 mins
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { message: "Too many login attempts, try again later." },
+});
+
+// middleware/loginProtection.js
+const { EventEmitter } = require("events");
+const redis = require("../redisClient");
+
+const MAX_FAILURES = 5;
+const LOCKOUT_SECONDS = 15 * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60; // failures are forgotten after 1h
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 8000;
+
+const securityEvents = new EventEmitter();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getDelay = (failures) =>
+  failures > 0
+    ? Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS)
+    : 0;
+
+// Lock check + INCR in one step: [userAttempts, ipAttempts, lockTtl]
+// Past MAX_FAILURES in flight, the attempt is refused and not counted.
+const RESERVE_ATTEMPT = `
+local lockTtl = redis.call("TTL", KEYS[1])
+if lockTtl > 0 then return { 0, 0, lockTtl } end
+local user = redis.call("INCR", KEYS[2])
+if user > tonumber(ARGV[1]) then
+  redis.call("DECR", KEYS[2])
+  return { 0, 0, tonumber(ARGV[3]) }
+end
+redis.call("EXPIRE", KEYS[2], ARGV[2])
+local ip = redis.call("INCR", KEYS[3])
+redis.call("EXPIRE", KEYS[3], ARGV[2])
+return { user, ip, 0 }
+`;
+
+// DECR the keys that still exist (a lockout may have deleted the user counter)
+const RELEASE_ATTEMPT = `
+for _, key in ipairs(KEYS) do
+  if redis.call("EXISTS", key) == 1 then redis.call("DECR", key) end
+end
+`;
+
+const reserveAttempt = async (keys) => {
+  const [userFailures, ipFailures, lockTtl] = await redis.eval(
+    RESERVE_ATTEMPT,
+    3,
+    keys.lock,
+    keys.user,
+    keys.ip,
+    MAX_FAILURES,
+    FAILURE_WINDOW_SECONDS,
+    LOCKOUT_SECONDS
+  );
+  return { userFailures, ipFailures, lockTtl };
+};
+
+const releaseAttempt = (...keys) =>
+  redis.eval(RELEASE_ATTEMPT, keys.length, ...keys);
+
+// The attempt was already counted by reserveAttempt, keep it
+const recordFailure = async ({
+  username,
+  ip,
+  keys,
+  userFailures,
+  ipFailures,
+}) => {
+  securityEvents.emit("login:failed", {
+    username,
+    ip,
+    userFailures,
+    ipFailures,
+  });
+
+  if (userFailures >= MAX_FAILURES) {
+    await redis
+      .multi()
+      .set(keys.lock, ip, "EX", LOCKOUT_SECONDS)
+      .del(keys.user)
+      .exec();
+
+    securityEvents.emit("account:locked", {
+      username,
+      ip,
+      seconds: LOCKOUT_SECONDS,
+    });
+  }
+};
+
+const resetFailures = async ({ username, ip, keys }) => {
+  // The per-IP counter is NOT reset, otherwise an attacker could clear it
+  // by logging into their own account between guesses. Only this attempt's
+  // reservation is given back.
+  await redis.del(keys.user, keys.lock);
+  await releaseAttempt(keys.ip);
+  securityEvents.emit("login:succeeded", { username, ip });
+};
+
+const loginProtection = async (req, res, next) => {
+  const username = String(req.body?.email || "").toLowerCase();
+  const ip = req.ip;
+  const keys = {
+    user: `login:fail:user:${username}`,
+    ip: `login:fail:ip:${ip}`,
+    lock: `login:lock:${username}`,
+  };
+
+  try {
+    const { lockTtl, userFailures, ipFailures } = await reserveAttempt(keys);
+
+    // Locked by *username*, whether or not it exists, so this reveals nothing
+    if (lockTtl > 0) {
+      securityEvents.emit("login:blocked", {
+        username,
+        ip,
+        retryAfter: lockTtl,
+      });
+      res.set("Retry-After", lockTtl);
+      return res
+        .status(429)
+        .json({ message: "Too many failed attempts. Try again later." });
+    }
+
+    // The counters include this attempt, the delay is for the ones before it
+    await sleep(getDelay(Math.max(userFailures, ipFailures) - 1));
+
+    // Let loginHandler answer, then look at the result
+    res.on("finish", () => {
+      const attempt = { username, ip, keys, userFailures, ipFailures };
+      let done;
+      if (res.statusCode === 401) done = recordFailure(attempt);
+      else if (res.statusCode < 400) done = resetFailures(attempt);
+      else done = releaseAttempt(keys.user, keys.ip); // 400, 500: not a guess
+
+      Promise.resolve(done).catch((err) =>
+        console.error("Login protection error:", err)
+      );
+    });
+
+    next();
+  } catch (err) {
+    console.error("Login protection error:", err);
+    next();
+  }
+};
+
+module.exports = { loginProtection, loginLimiter, securityEvents };
+
+// Send security events to your logs / alerting
+securityEvents.on("account:locked", ({ username, ip, seconds }) => {
+  console.warn(`🔒 ${username} locked for ${seconds}s (last try: ${ip})`);
+});
+
+// Usage: dedicated budget first, then delay / lockout, then the real handler
+app.post("/login", loginLimiter, loginProtection, loginHandler);
@@ -63,9 +63,20 @@
 
 // server.js
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const cookieParser = require("cookie-parser");
 const cors = require("cors");
+const crypto = require("crypto");
+const revocationStore = require("./utils/revocationStore");
+const passwordHasher = require("./utils/passwordHasher");
+const User = require("./models/User"); // the mongoose model from MVC.js
+const keyStore = require("./utils/keyStore");
+const sessionStore = require("./utils/sessionStore");
+const refreshFamilyStore = require("./utils/refreshFamilyStore");
+const { authenticateUser } = require("./middleware/authenticateUser");
+const logActivity = require("./utils/logActivity");
+
+// "jwt" (stateless tokens) or "session" (opaque id in a cookie, data in Redis)
+const AUTH_MODE = process.env.AUTH_MODE || "jwt";
 
 const app = express();
 app.use(express.json());
@@ -77,63 +88,721 @@ app.use(
   })
 );
 
-const JWT_SECRET = "your_secret_key";
+keyStore.startKeyRotation(); // RS256/ES256 keys instead of a shared secret
+const ACCESS_TOKEN_TTL = 15 * 60 * 1000; // 15 minutes
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const REFRESH_REUSE_GRACE = 10 * 1000; // see /refresh
+
+// Refresh tokens are stored server-side as "families" (in Redis, see
+// utils/refreshFamilyStore.js, so every instance sees the same rotations).
+// Every /refresh rotates the token inside the family. If an old (already rotated)
+// token shows up again, someone copied it, so the whole family is revoked.
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const setAccessCookie = (res, { id, email }) => {
+  // iatMs: issue time in ms. The standard iat is whole seconds, too coarse for
+  // "revoked before" checks (a login in the same second as /logout-all).
+  const token = keyStore.sign({ id, email, iatMs: Date.now() }, {
+    expiresIn: "15m",
+    jwtid: crypto.randomUUID(), // lets us revoke this exact token later
+  });
+
+  res.cookie("token", token, {
+    httpOnly: true,
+    secure: false, // set to true in production with HTTPS
+    sameSite: "Lax",
+    maxAge: ACCESS_TOKEN_TTL,
+  });
+};
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString("hex");
 
-app.post("/login", (req, res) => {
+const setRefreshCookie = (res, familyId, secret) => {
+  res.cookie("refreshToken", `${familyId}.${secret}`, {
+    httpOnly: true,
+    secure: false, // set to true in production with HTTPS
+    sameSite: "Strict",
+    maxAge: REFRESH_TOKEN_TTL,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token");
+  res.clearCookie("refreshToken");
+};
+
+app.post("/login", async (req, res) => {
   const { email, password } = req.body;
 
-  // Dummy auth
-  if (email === "test@example.com" && password === "password") {
-    const token = jwt.sign({ email }, JWT_SECRET, { expiresIn: "1h" });
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
 
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: false, // set to true in production with HTTPS
-      sameSite: "Lax",
-      maxAge: 3600000,
-    });
+    // Always compare against *some* hash, even when the email doesn't exist,
+    // so the response time doesn't tell an attacker which emails are registered.
+    const valid = await passwordHasher.verify(user?.password, password);
+
+    if (!user || !valid) {
+      // Same status + message for "no such user" and "wrong password"
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    // Hash settings were upgraded (more rounds / bcrypt -> argon2): rehash now,
+    // it's the only moment we have the plain password.
+    if (passwordHasher.needsRehash(user.password)) {
+      user.password = await passwordHasher.hash(password);
+      await user.save();
+    }
+
+    const authUser = { id: user._id.toString(), email: user.email };
+
+    if (AUTH_MODE === "session") {
+      // Always a NEW session id after login, never reuse the one the browser
+      // sent before logging in (session fixation)
+      const session = await sessionStore.regenerateSession(req.cookies.sid, {
+        userId: authUser.id,
+        userAgent: req.get("user-agent"),
+        ip: req.ip,
+      });
+      sessionStore.setSessionCookie(res, session.id);
+    } else {
+      const familyId = crypto.randomUUID();
+      const secret = newRefreshSecret();
+      await refreshFamilyStore.createFamily(familyId, {
+        user: authUser,
+        hash: hashToken(secret),
+        ttlMs: REFRESH_TOKEN_TTL,
+      });
+
+      setAccessCookie(res, authUser);
+      setRefreshCookie(res, familyId, secret);
+    }
+
+    await logActivity(authUser.id, "LOGIN", `Logged in from ${req.ip}`, req);
 
     res.json({ message: "Logged in successfully" });
-  } else {
-    res.status(401).json({ message: "Invalid credentials" });
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-app.get("/profile", (req, res) => {
-  const token = req.cookies.token;
-  if (!token) return res.status(401).json({ message: "No token" });
+app.post("/refresh", async (req, res) => {
+  try {
+    const [familyId, secret] = (req.cookies.refreshToken || "").split(".");
+    const family = familyId && (await refreshFamilyStore.getFamily(familyId));
+
+    // "Log out everywhere" also kills refresh families created before it
+    const revoked =
+      family &&
+      (await revocationStore.isRevoked({
+        userId: family.user.id,
+        issuedAt: family.issuedAt,
+      }));
+
+    // No expiresAt check: Redis drops the family when the token expires
+    if (!family || !secret || revoked) {
+      if (familyId) await refreshFamilyStore.deleteFamily(familyId);
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    const presentedHash = hashToken(secret);
+
+    // Two tabs refreshing at the same moment send the same token. The second
+    // one is a race, not theft: give it a new access token. Its refresh cookie
+    // is already the new one, the browser shares cookies between tabs.
+    const racedRotation = (current) =>
+      current.previousHash === presentedHash &&
+      Date.now() - current.rotatedAt < REFRESH_REUSE_GRACE;
 
+    if (racedRotation(family)) {
+      setAccessCookie(res, family.user);
+      return res.json({ message: "Token refreshed" });
+    }
+
+    // Reuse detection: a valid family but a token that was already rotated
+    if (family.currentHash !== presentedHash) {
+      await refreshFamilyStore.deleteFamily(familyId);
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Refresh token reuse detected" });
+    }
+
+    // Rotate: same family, brand new refresh token + access token
+    const nextSecret = newRefreshSecret();
+    const rotated = await refreshFamilyStore.rotateFamily(familyId, {
+      fromHash: presentedHash,
+      toHash: hashToken(nextSecret),
+      ttlMs: REFRESH_TOKEN_TTL,
+    });
+
+    // Another instance rotated this token since our read: the same two-tab
+    // race as above, unless the family was deleted in between
+    if (!rotated) {
+      const latest = await refreshFamilyStore.getFamily(familyId);
+      if (latest && racedRotation(latest)) {
+        setAccessCookie(res, latest.user);
+        return res.json({ message: "Token refreshed" });
+      }
+      clearAuthCookies(res);
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    setAccessCookie(res, family.user);
+    setRefreshCookie(res, familyId, nextSecret);
+
+    res.json({ message: "Token refreshed" });
+  } catch (err) {
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// authenticateUser handles both modes (token checks, revocation, sessions)
+app.get("/profile", authenticateUser, (req, res) => {
+  res.json({ email: req.user.email });
+});
+
+app.post("/logout", async (req, res) => {
   try {
-    const data = jwt.verify(token, JWT_SECRET);
-    res.json({ email: data.email });
+    if (AUTH_MODE === "session") {
+      const session = req.cookies.sid
+        ? await sessionStore.getSession(req.cookies.sid)
+        : null;
+
+      if (session) {
+        await sessionStore.destroySession(req.cookies.sid);
+        await logActivity(session.userId, "LOGOUT", "Logged out", req);
+      }
+
+      sessionStore.clearSessionCookie(res);
+      return res.json({ message: "Logged out" });
+    }
+
+    const [familyId] = (req.cookies.refreshToken || "").split(".");
+    if (familyId) await refreshFamilyStore.deleteFamily(familyId);
+
+    // Blacklist the access token too, otherwise it stays valid until it expires
+    // (only if we signed it: a forged token could fill the blacklist with junk)
+    let verified = null;
+    try {
+      verified =
+        req.cookies.token &&
+        keyStore.verify(req.cookies.token, { ignoreExpiration: true });
+    } catch {
+      // bad signature or unknown kid: still log out, revoke nothing
+    }
+    if (verified?.jti) await revocationStore.revoke(verified.jti, verified.exp);
+
+    clearAuthCookies(res);
+    res.json({ message: "Logged out" });
   } catch (err) {
-    res.status(401).json({ message: "Invalid token" });
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
   }
 });
 
-app.post("/logout", (req, res) => {
-  res.clearCookie("token");
-  res.json({ message: "Logged out" });
+// Public keys only: other services verify our tokens with these, no shared secret
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", `public, max-age=${keyStore.JWKS_MAX_AGE}`);
+  res.json(keyStore.getJwks());
 });
 
 app.listen(5000, () => console.log("Server running on http://localhost:5000"));
 
-// ! Protected Route in NODE JS
+// ! 🗝️ Asymmetric Signing (RS256 / ES256), Key Rotation & JWKS
+
+//* With HS256 every service that verifies a token also holds the secret, so every one of them could also *create* tokens.
+
+//* With RS256/ES256 only the auth server has the private key. Everyone else verifies with the public key from /.well-known/jwks.json.
+
+//* Each key has a kid (key id). It goes into the token header, so jwt.verify knows which public key to use.
+
+//* Keys rotate on a schedule. A new key is published in the JWKS one cache lifetime (5 min) BEFORE it starts signing, so services with a cached JWKS already know it. An old key stays in the JWKS until every token it signed has expired.
+
+//* Keys here live in memory. With several instances, load them from a shared place (KMS, Vault, Redis) so all instances sign with the same keys.
+
+// utils/keyStore.js
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+
+const ALGORITHM = process.env.JWT_ALGORITHM || "RS256"; // or "ES256"
+const ROTATE_EVERY = 24 * 60 * 60 * 1000; // new signing key every day
+const MAX_TOKEN_LIFETIME = 15 * 60 * 1000; // longest access token we issue
+const JWKS_MAX_AGE = 300; // seconds other services may cache the JWKS
+
+const keys = []; // newest (active signing key) first
+
+const generateKey = () => {
+  const { privateKey, publicKey } =
+    ALGORITHM === "ES256"
+      ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+      : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+  return { kid: crypto.randomUUID(), alg: ALGORITHM, privateKey, publicKey };
+};
+
+// The newest key whose time has come
+const activeKey = () => keys.find((key) => key.activatesAt <= Date.now());
+
+const rotateKeys = ({ activateNow = false } = {}) => {
+  const now = Date.now();
+  keys.unshift({
+    ...generateKey(),
+    activatesAt: activateNow ? now : now + JWKS_MAX_AGE * 1000,
+  });
+
+  // A key retires when the next one starts signing. Drop it once no token
+  // signed with it can still be valid.
+  for (let i = keys.length - 1; i > 0; i--) {
+    const retiredAt = keys[i - 1].activatesAt;
+    if (now - retiredAt > MAX_TOKEN_LIFETIME) keys.splice(i, 1);
+  }
+};
+
+const startKeyRotation = () => {
+  // First key: nobody has cached a JWKS yet, it can sign right away
+  if (keys.length === 0) rotateKeys({ activateNow: true });
+  setInterval(rotateKeys, ROTATE_EVERY).unref();
+};
+
+const sign = (payload, options = {}) => {
+  const active = activeKey();
+  return jwt.sign(payload, active.privateKey, {
+    ...options,
+    algorithm: active.alg,
+    keyid: active.kid,
+  });
+};
+
+// ignoreExpiration: /logout only needs to know the token is ours
+const verify = (token, { ignoreExpiration = false } = {}) => {
+  const { header } = jwt.decode(token, { complete: true }) || {};
+  const key = header && keys.find((k) => k.kid === header.kid);
+
+  if (!key) throw new jwt.JsonWebTokenError("Unknown signing key");
+
+  // Pin the algorithm, never trust "alg" from the token itself
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    ignoreExpiration,
+  });
+};
+
+const getJwks = () => ({
+  keys: keys.map((key) => ({
+    ...key.publicKey.export({ format: "jwk" }),
+    kid: key.kid,
+    alg: key.alg,
+    use: "sig",
+  })),
+});
+
+module.exports = {
+  JWKS_MAX_AGE,
+  startKeyRotation,
+  rotateKeys,
+  sign,
+  verify,
+  getJwks,
+};
+
+// ! 🔑 Password Hashing (bcrypt / argon2)
+
+//* Never store plain passwords. createUser in SOLID.JS already saves a bcrypt hash, /login just has to compare against it.
+
+//* The hasher is pluggable: new hashes use the configured algorithm, old hashes are still verified, and they get upgraded on the next successful login.
+
+// npm install bcryptjs argon2
+
+// utils/passwordHasher.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const argon2 = require("argon2");
+
+const BCRYPT_ROUNDS = 12;
+const ARGON2_OPTIONS = {
+  type: argon2.argon2id,
+  memoryCost: 19456, // 19 MiB
+  timeCost: 2,
+  parallelism: 1,
+};
+
+const hashers = {
+  bcrypt: {
+    matches: (hash) => /^\$2[aby]\$/.test(hash),
+    hash: (password) => bcrypt.hash(password, BCRYPT_ROUNDS),
+    verify: (hash, password) => bcrypt.compare(password, hash),
+    needsRehash: (hash) => bcrypt.getRounds(hash) < BCRYPT_ROUNDS,
+  },
+  argon2: {
+    matches: (hash) => hash.startsWith("$argon2"),
+    hash: (password) => argon2.hash(password, ARGON2_OPTIONS),
+    verify: (hash, password) => argon2.verify(hash, password),
+    needsRehash: (hash) => argon2.needsRehash(hash, ARGON2_OPTIONS),
+  },
+};
+
+const createPasswordHasher = (algorithm = "bcrypt") => {
+  const current = hashers[algorithm];
+  if (!current) throw new Error(`Unknown password hasher: ${algorithm}`);
+
+  const findHasher = (hash) =>
+    Object.values(hashers).find((hasher) => hasher.matches(hash));
+
+  // Used when the user doesn't exist, so both paths cost the same time
+  const dummyHash = current.hash(crypto.randomBytes(16).toString("hex"));
+
+  return {
+    hash: (password) => current.hash(password),
+
+    async verify(hash, password) {
+      const hasher = typeof hash === "string" && findHasher(hash);
+
+      if (!hasher || typeof password !== "string") {
+        await current.verify(await dummyHash, String(password ?? ""));
+        return false;
+      }
+
+      return hasher.verify(hash, password);
+    },
+
+    needsRehash(hash) {
+      const hasher = findHasher(hash);
+      return hasher !== current || current.needsRehash(hash);
+    },
+  };
+};
+
+module.exports = createPasswordHasher(process.env.PASSWORD_HASHER);
+module.exports.createPasswordHasher = createPasswordHasher;
+
+// ! 🚫 Token Revocation (Logout Everywhere)
+
+//* A JWT is valid until it expires, even after /logout clears the cookie. To really kill it, the server keeps a small revocation list.
+
+//* Per token: store the token's jti (JWT ID) until its exp. Per user: store a "revoked before" timestamp in ms, every token issued (iatMs) at or before it is invalid.
+
+//* Use the in-memory store for tests / a single process, and Redis when you run more than one instance.
+
+// utils/revocationStore.js
+const redis = require("../redisClient"); // same ioredis client from Redis&Caching.js
+
+const USER_REVOCATION_TTL = 7 * 24 * 60 * 60; // longest-lived token (refresh) in seconds
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+// "Revoked before" used to be stored in seconds: read old values as ms
+const toMs = (time) => (time < 1e12 ? time * 1000 : time);
+
+const createMemoryRevocationStore = () => {
+  const revokedTokens = new Map(); // jti -> exp
+  const revokedUsers = new Map(); // userId -> revokedBefore (ms)
+
+  return {
+    async revoke(jti, exp) {
+      revokedTokens.set(jti, exp);
+    },
+
+    async revokeAllForUser(userId) {
+      revokedUsers.set(String(userId), Date.now());
+    },
+
+    // issuedAt in ms
+    async isRevoked({ jti, userId, issuedAt }) {
+      const exp = jti && revokedTokens.get(jti);
+      if (exp && exp < nowInSeconds()) revokedTokens.delete(jti);
+      else if (exp) return true;
+
+      const revokedBefore = revokedUsers.get(String(userId));
+      return revokedBefore !== undefined && issuedAt <= revokedBefore;
+    },
+  };
+};
+
+const createRedisRevocationStore = (client) => ({
+  async revoke(jti, exp) {
+    const ttl = exp - nowInSeconds();
+    if (ttl > 0) await client.set(`revoked:jti:${jti}`, "1", "EX", ttl);
+  },
+
+  async revokeAllForUser(userId) {
+    await client.set(
+      `revoked:user:${userId}`,
+      Date.now(),
+      "EX",
+      USER_REVOCATION_TTL
+    );
+  },
+
+  async isRevoked({ jti, userId, issuedAt }) {
+    const [tokenRevoked, revokedBefore] = await Promise.all([
+      jti ? client.exists(`revoked:jti:${jti}`) : 0,
+      client.get(`revoked:user:${userId}`),
+    ]);
+
+    if (tokenRevoked) return true;
+    return revokedBefore !== null && issuedAt <= toMs(Number(revokedBefore));
+  },
+});
+
+module.exports =
+  process.env.REVOCATION_STORE === "redis"
+    ? createRedisRevocationStore(redis)
+    : createMemoryRevocationStore();
+
+module.exports.createMemoryRevocationStore = createMemoryRevocationStore;
+module.exports.createRedisRevocationStore = createRedisRevocationStore;
+
+// ! 🗄️ Redis Sessions (alternative to stateless JWT)
+
+//* Session mode: the cookie only holds a random, opaque session id. Everything else (user id, device, timestamps) lives in Redis.
+
+//* Logging out = deleting the Redis key. It takes effect immediately, no revocation list needed.
+
+//* Rolling expiry: every request pushes the expiry forward, so active users stay logged in and idle sessions die.
+
+//* Regenerate on login: the old session id is destroyed and a new one issued, so an id planted before login (session fixation) is useless.
+
+//* A per-user index (a Redis set of session ids) makes "log out everywhere" and "list my sessions" possible.
+
+//* Switch with AUTH_MODE=session. authenticateUser supports both modes.
+
+// utils/sessionStore.js
+const crypto = require("crypto");
+const redis = require("../redisClient"); // same ioredis client from Redis&Caching.js
+
+const SESSION_COOKIE = "sid";
+const SESSION_TTL = 7 * 24 * 60 * 60; // idle timeout in seconds (rolling)
+const TOUCH_INTERVAL = 60 * 1000; // write lastSeenAt at most once a minute
+
+const sessionKey = (id) => `sess:${id}`;
+const userSessionsKey = (userId) => `user:sessions:${userId}`;
+
+const createSession = async ({ userId, ...meta }) => {
+  const id = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+  const session = { userId, ...meta, createdAt: now, lastSeenAt: now };
+
+  await redis
+    .multi()
+    .set(sessionKey(id), JSON.stringify(session), "EX", SESSION_TTL)
+    .sadd(userSessionsKey(userId), id)
+    .expire(userSessionsKey(userId), SESSION_TTL)
+    .exec();
+
+  return { id, ...session };
+};
+
+const getSession = async (id) => {
+  const raw = await redis.get(sessionKey(id));
+  return raw ? JSON.parse(raw) : null;
+};
+
+// Rolling expiry: always extend the TTL, only rewrite the data now and then
+const touchSession = async (id, session) => {
+  const multi = redis
+    .multi()
+    .expire(userSessionsKey(session.userId), SESSION_TTL);
+
+  if (Date.now() - session.lastSeenAt > TOUCH_INTERVAL) {
+    session.lastSeenAt = Date.now();
+    multi.set(sessionKey(id), JSON.stringify(session), "EX", SESSION_TTL);
+  } else {
+    multi.expire(sessionKey(id), SESSION_TTL);
+  }
+
+  await multi.exec();
+};
+
+const destroySession = async (id) => {
+  const session = await getSession(id);
+  const multi = redis.multi().del(sessionKey(id));
+  if (session) multi.srem(userSessionsKey(session.userId), id);
+  await multi.exec();
+};
+
+const destroyAllForUser = async (userId) => {
+  const ids = await redis.smembers(userSessionsKey(userId));
+  await redis
+    .multi()
+    .del(...ids.map(sessionKey), userSessionsKey(userId))
+    .exec();
+};
+
+// The real id is a bearer secret, the API only ever shows this hash of it
+const toPublicId = (id) =>
+  crypto.createHash("sha256").update(id).digest("hex").slice(0, 16);
+
+const listSessions = async (userId) => {
+  const ids = await redis.smembers(userSessionsKey(userId));
+  if (ids.length === 0) return [];
+
+  const raws = await redis.mget(ids.map(sessionKey));
+
+  // Expired sessions disappear from Redis but stay in the index, clean them up
+  const expired = ids.filter((id, i) => raws[i] === null);
+  if (expired.length) await redis.srem(userSessionsKey(userId), ...expired);
+
+  return ids
+    .map((id, i) => raws[i] && { id, ...JSON.parse(raws[i]) })
+    .filter(Boolean)
+    .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+};
+
+const regenerateSession = async (oldId, data) => {
+  if (oldId) await destroySession(oldId);
+  return createSession(data);
+};
+
+const setSessionCookie = (res, id) =>
+  res.cookie(SESSION_COOKIE, id, {
+    httpOnly: true,
+    secure: false, // set to true in production with HTTPS
+    sameSite: "Lax",
+    maxAge: SESSION_TTL * 1000,
+  });
+
+const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE);
+
+module.exports = {
+  SESSION_COOKIE,
+  createSession,
+  getSession,
+  touchSession,
+  destroySession,
+  destroyAllForUser,
+  regenerateSession,
+  listSessions,
+  toPublicId,
+  setSessionCookie,
+  clearSessionCookie,
+};
+
+// ! 🔁 Refresh Token Families in Redis
+
+//* A Map in the server process only works with one instance: a rotation on instance A is invisible to B, so B accepts the old token (no reuse detection) and a restart logs everyone out.
+
+//* One Redis hash per family, with the same lifetime as the refresh token (PEXPIRE), like the session and revocation stores.
+
+//* Rotation is a compare-and-swap in Lua: two instances rotating the same token at the same moment can't both win.
+
+// utils/refreshFamilyStore.js
+const redis = require("../redisClient"); // same ioredis client from Redis&Caching.js
+
+const familyKey = (id) => `refresh:family:${id}`;
+
+// Only rotates when the stored hash is still the one the client presented
+const ROTATE_FAMILY = `
+if redis.call("HGET", KEYS[1], "currentHash") ~= ARGV[1] then return 0 end
+redis.call("HSET", KEYS[1],
+  "previousHash", ARGV[1], "currentHash", ARGV[2], "rotatedAt", ARGV[3])
+redis.call("PEXPIRE", KEYS[1], ARGV[4])
+return 1
+`;
+
+// issuedAt / rotatedAt in ms
+const createFamily = async (id, { user, hash, ttlMs }) => {
+  const now = Date.now();
+  await redis
+    .multi()
+    .hset(familyKey(id), {
+      userId: user.id,
+      email: user.email,
+      issuedAt: now,
+      currentHash: hash,
+      rotatedAt: now,
+    })
+    .pexpire(familyKey(id), ttlMs)
+    .exec();
+};
+
+// { user, issuedAt, currentHash, previousHash, rotatedAt } or null
+const getFamily = async (id) => {
+  const family = await redis.hgetall(familyKey(id));
+  if (!family.currentHash) return null; // HGETALL returns {} for a missing key
+
+  return {
+    user: { id: family.userId, email: family.email },
+    issuedAt: Number(family.issuedAt),
+    currentHash: family.currentHash,
+    previousHash: family.previousHash,
+    rotatedAt: Number(family.rotatedAt),
+  };
+};
+
+// true when this call rotated fromHash -> toHash, false when it lost a race
+const rotateFamily = async (id, { fromHash, toHash, ttlMs }) =>
+  (await redis.eval(
+    ROTATE_FAMILY,
+    1,
+    familyKey(id),
+    fromHash,
+    toHash,
+    Date.now(),
+    ttlMs
+  )) === 1;
+
+const deleteFamily = (id) => redis.del(familyKey(id));
+
+module.exports = { createFamily, getFamily, rotateFamily, deleteFamily };
+
+// ! Protected Route in NODE JS
 const User = require("../model/userModel"); // Adjust the path as needed
+const revocationStore = require("../utils/revocationStore");
+const keyStore = require("../utils/keyStore");
+const sessionStore = require("../utils/sessionStore");
+
+const AUTH_MODE = process.env.AUTH_MODE || "jwt"; // "jwt" | "session"
+
+// Each mode resolves the request to a user id, or an error message
+const authenticateJwt = async (req) => {
+  const token = req.cookies?.token;
+
+  if (!token || token.trim() === "") {
+    return { error: "Unauthorized. No token provided." };
+  }
+
+  const decoded = keyStore.verify(token);
+
+  const revoked = await revocationStore.isRevoked({
+    jti: decoded.jti,
+    userId: decoded.id,
+    issuedAt: decoded.iatMs ?? decoded.iat * 1000, // tokens from before iatMs
+  });
+
+  if (revoked) return { error: "Token has been revoked." };
+  return { userId: decoded.id };
+};
+
+const authenticateSession = async (req, res) => {
+  const sessionId = req.cookies?.[sessionStore.SESSION_COOKIE];
+  if (!sessionId) return { error: "Unauthorized. No session." };
+
+  const session = await sessionStore.getSession(sessionId);
+  if (!session) {
+    sessionStore.clearSessionCookie(res);
+    return { error: "Session expired." };
+  }
+
+  await sessionStore.touchSession(sessionId, session);
+  sessionStore.setSessionCookie(res, sessionId); // roll the cookie too
+
+  req.session = { id: sessionId, ...session };
+  return { userId: session.userId };
+};
 
 const authenticateUser = async (req, res, next) => {
   try {
-    const token = req.cookies?.token;
+    const { userId, error } =
+      AUTH_MODE === "session"
+        ? await authenticateSession(req, res)
+        : await authenticateJwt(req);
 
-    if (!token || token.trim() === "") {
-      return res
-        .status(401)
-        .json({ message: "Unauthorized. No token provided." });
-    }
+    if (error) return res.status(401).json({ message: error });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(401).json({ message: "Unauthorized. User not found." });
@@ -154,10 +823,312 @@ const authenticateUser = async (req, res, next) => {
 
 export { authenticateUser };
 
+// routes/authRoutes.js
+// Log out on every device: all tokens issued before now stop working
+app.post("/logout-all", authenticateUser, async (req, res) => {
+  try {
+    if (AUTH_MODE === "session") {
+      await sessionStore.destroyAllForUser(req.user.id);
+    } else {
+      await revocationStore.revokeAllForUser(req.user.id);
+    }
+
+    await logActivity(
+      req.user.id,
+      "LOGOUT_ALL",
+      "Logged out from all devices",
+      req
+    );
+
+    res.clearCookie("token");
+    res.clearCookie("refreshToken");
+    sessionStore.clearSessionCookie(res);
+    res.json({ message: "Logged out from all devices" });
+  } catch (err) {
+    console.error("Logout-all error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ! 🛂 Role & Permission Based Authorization
+
+//* authenticateUser answers "who are you?". authorize answers "are you allowed to do this?".
+
+//* ProtectedRoute in React only hides pages, anyone can still call the API directly. The server must enforce the same rules.
+
+//* Each role in the Roles collection has a list of permissions ("posts:read", "posts:*", "*") and can inherit from other roles.
+
+// models/Roles.js
+const mongoose = require("mongoose");
+
+const rolesSchema = new mongoose.Schema({
+  roleName: { type: String, required: true, unique: true },
+  permissions: { type: [String], default: [] }, // e.g. ["posts:read", "users:*"]
+  inherits: { type: [String], default: [] }, // e.g. editor inherits ["viewer"]
+});
+
+module.exports = mongoose.model("Roles", rolesSchema);
+
+// middleware/authorize.js
+const Roles = require("../models/Roles");
+
+const ROLE_CACHE_TTL = 60 * 1000; // reload role map at most once a minute
+
+let rolePermissions = null; // roleName -> Set of permissions (inheritance resolved)
+let loadedAt = 0;
+
+const loadRolePermissions = async () => {
+  const roles = await Roles.find().lean();
+  const byName = new Map(roles.map((role) => [role.roleName, role]));
+
+  // Walk the inheritance chain, `seen` stops cycles (admin -> editor -> admin)
+  const collect = (roleName, seen = new Set()) => {
+    const role = byName.get(roleName);
+    if (!role || seen.has(roleName)) return [];
+    seen.add(roleName);
+
+    return [
+      ...(role.permissions || []),
+      ...(role.inherits || []).flatMap((parent) => collect(parent, seen)),
+    ];
+  };
+
+  rolePermissions = new Map(
+    roles.map((role) => [role.roleName, new Set(collect(role.roleName))])
+  );
+  loadedAt = Date.now();
+
+  return rolePermissions;
+};
+
+const getPermissionsForRole = async (roleName) => {
+  if (!rolePermissions || Date.now() - loadedAt > ROLE_CACHE_TTL) {
+    await loadRolePermissions();
+  }
+  return rolePermissions.get(roleName) || new Set();
+};
+
+// "*" matches everything, "posts:*" matches "posts:read", "posts:delete", ...
+const hasPermission = (granted, required) => {
+  if (granted.has("*") || granted.has(required)) return true;
+
+  const parts = required.split(":");
+  for (let i = parts.length - 1; i > 0; i--) {
+    if (granted.has(`${parts.slice(0, i).join(":")}:*`)) return true;
+  }
+  return false;
+};
+
+const forbidden = (res, required) =>
+  res.status(403).json({
+    success: false,
+    message: "Forbidden. You don't have permission to perform this action.",
+    required,
+  });
+
+// Use after authenticateUser: router.delete("/:id", authenticateUser, authorize("posts:delete"), ...)
+const authorize =
+  (...permissions) =>
+  async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res
+          .status(401)
+          .json({ message: "Unauthorized. No token provided." });
+      }
+
+      const granted = await getPermissionsForRole(req.user.role);
+      const allowed = permissions.every((permission) =>
+        hasPermission(granted, permission)
+      );
+
+      if (!allowed) return forbidden(res, permissions);
+
+      req.user.permissions = [...granted];
+      next();
+    } catch (err) {
+      console.error("Authorization error:", err);
+      return res.status(500).json({ message: "Server error" });
+    }
+  };
+
+// Same check as ProtectedRoute's allowedRoles, for routes that only care about the role
+const authorizeRoles =
+  (...allowedRoles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ message: "Unauthorized. No token provided." });
+    }
+    if (!allowedRoles.includes(req.user.role)) {
+      return forbidden(res, allowedRoles);
+    }
+    next();
+  };
+
+export {
+  authorize,
+  authorizeRoles,
+  getPermissionsForRole,
+  hasPermission,
+  loadRolePermissions,
+};
+
+// Usage
+app.delete(
+  "/posts/:id",
+  authenticateUser,
+  authorize("posts:delete"),
+  deletePostHandler
+);
+app.get("/admin/users", authenticateUser, authorizeRoles("admin"), listUsers);
+
+// ! 👤 /me Endpoint (used by AuthProvider)
+
+//* AuthProvider calls GET /me on every page load to find out who is logged in.
+
+//* Only a whitelisted projection is returned: never the password hash, __v or any other internal field.
+
+//* The response has an ETag. On reload the browser sends If-None-Match and gets a tiny 304 instead of the whole user again.
+
+// routes/authRoutes.js
+const crypto = require("crypto");
+const { getPermissionsForRole } = require("../middleware/authorize");
+
+const toPublicUser = (user, permissions) => ({
+  id: user.id,
+  fullname: user.fullname ?? user.name,
+  email: user.email,
+  role: user.role,
+  permissions,
+});
+
+app.get("/me", authenticateUser, async (req, res) => {
+  try {
+    const granted = await getPermissionsForRole(req.user.role);
+    const permissions = [...granted].sort();
+    const body = { user: toPublicUser(req.user, permissions) };
+
+    const etag = `"${crypto
+      .createHash("sha1")
+      .update(JSON.stringify(body))
+      .digest("base64url")}"`;
+
+    res.set({
+      ETag: etag,
+      "Cache-Control": "private, no-cache", // browser may keep it, but must revalidate
+      Vary: "Cookie",
+    });
+
+    const ifNoneMatch = req.headers["if-none-match"] || "";
+    if (ifNoneMatch.split(/\s*,\s*/).includes(etag)) {
+      return res.status(304).end();
+    }
+
+    res.json(body);
+  } catch (err) {
+    console.error("Fetch current user error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ! 💻 Active Sessions (list & remote logout)
+
+//* GET /sessions lists every device the user is logged in on. DELETE /sessions/:id logs one of them out (e.g. a lost laptop).
+
+//* Needs AUTH_MODE=session: with stateless JWTs the server has no list of logins to show.
+
+//* Session ids are never sent to the browser in JSON. The API uses a short hash of the id instead.
+
+//* Every login / logout / remote revoke is recorded with logActivity (the same audit log registerUser in SOLID.JS writes to).
+
+// routes/sessionRoutes.js
+const logActivity = require("../utils/logActivity");
+
+// "Chrome on Windows", good enough for a sessions list
+const describeDevice = (userAgent = "") => {
+  const browser =
+    ["Edg", "OPR", "Chrome", "Firefox", "Safari"].find((name) =>
+      userAgent.includes(`${name}/`)
+    ) || "Unknown browser";
+  const os =
+    ["Windows", "Android", "iPhone", "iPad", "Mac OS", "Linux"].find((name) =>
+      userAgent.includes(name)
+    ) || "Unknown OS";
+
+  return `${browser.replace("Edg", "Edge").replace("OPR", "Opera")} on ${os}`;
+};
+
+const requireSessionMode = (req, res, next) => {
+  if (AUTH_MODE !== "session") {
+    return res
+      .status(400)
+      .json({ message: "Session management requires AUTH_MODE=session." });
+  }
+  next();
+};
+
+app.get("/sessions", authenticateUser, requireSessionMode, async (req, res) => {
+  try {
+    const sessions = await sessionStore.listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: sessionStore.toPublicId(session.id),
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: new Date(session.createdAt).toISOString(),
+        lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+        current: session.id === req.session.id,
+      })),
+    });
+  } catch (err) {
+    console.error("List sessions error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+app.delete(
+  "/sessions/:id",
+  authenticateUser,
+  requireSessionMode,
+  async (req, res) => {
+    try {
+      const sessions = await sessionStore.listSessions(req.user.id);
+      const session = sessions.find(
+        (s) => sessionStore.toPublicId(s.id) === req.params.id
+      );
+
+      // Only the user's own sessions can be found, others look like "not found"
+      if (!session) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      await sessionStore.destroySession(session.id);
+      if (session.id === req.session.id) sessionStore.clearSessionCookie(res);
+
+      await logActivity(
+        req.user.id,
+        "REVOKE_SESSION",
+        `Session on ${describeDevice(session.userAgent)} (${session.ip}) was logged out`,
+        req
+      );
+
+      res.json({ message: "Session logged out" });
+    } catch (err) {
+      console.error("Revoke session error:", err);
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+);
+
 // ! ⚛️ Frontend (React)
 // LoginForm.jsx
 import { useState } from "react";
 import axios from "axios";
+import { useAuth } from "../context/AuthContext";
 
 axios.defaults.withCredentials = true;
 
@@ -165,10 +1136,11 @@ export default function LoginForm() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [profile, setProfile] = useState(null);
+  const { login, logout } = useAuth(); // keeps every open tab in sync
 
   const handleLogin = async () => {
     try {
-      await axios.post("http://localhost:5000/login", { email, password });
+      await login(email, password);
       alert("Logged in!");
     } catch (err) {
       alert("Login failed");
@@ -185,7 +1157,7 @@ export default function LoginForm() {
   };
 
   const handleLogout = async () => {
-    await axios.post("http://localhost:5000/logout");
+    await logout();
     setProfile(null);
   };
 
@@ -227,6 +1199,7 @@ export default function LoginForm() {
 // ! Remember to always use HTTPS in production to protect cookies and tokens from being intercepted.
 
 //! 🔁 Refactored Version Using Cookies
+// api/apiClient.js
 import axios, { AxiosInstance } from "axios";
 
 const redirectToLogin = () => {
@@ -248,14 +1221,49 @@ const createApiClient = () => {
   // 🔥 REMOVE manual token attachment, since cookies will handle auth
   // Optional: You can still add other headers here if needed
 
-  // Handle unauthorized responses globally
+  // Silent refresh: on a 401, call /refresh ONCE, hold every other failing
+  // request until it finishes, then replay them all. Only redirect if the
+  // refresh itself fails (refresh token expired, revoked or reused).
+  // Per-request opt-outs:
+  //   _skipRefresh: a 401 is the real answer (wrong password on /login)
+  //   _noRedirect: logged out is a normal result (/me for anonymous visitors)
+  let refreshPromise = null;
+
+  const refreshSession = () => {
+    if (!refreshPromise) {
+      refreshPromise = client
+        .post("/refresh", null, { _isRefresh: true })
+        .finally(() => {
+          refreshPromise = null;
+        });
+    }
+    return refreshPromise; // concurrent 401s all wait on the same request
+  };
+
   client.interceptors.response.use(
     (response) => response,
-    (error) => {
-      if (error.response?.status === 401) {
-        redirectToLogin();
+    async (error) => {
+      const original = error.config;
+
+      if (
+        error.response?.status !== 401 ||
+        !original ||
+        original._isRefresh || // the refresh call itself failed
+        original._skipRefresh ||
+        original._retry // already replayed once, don't loop
+      ) {
+        return Promise.reject(error);
       }
-      return Promise.reject(error);
+
+      try {
+        await refreshSession();
+      } catch {
+        if (!original._noRedirect) redirectToLogin();
+        return Promise.reject(error);
+      }
+
+      original._retry = true;
+      return client(original); // new cookie is sent automatically
     }
   );
 
@@ -267,10 +1275,54 @@ export { apiClient };
 
 // ! Auth based context
 
-import { createContext, useContext, useEffect, useState } from "react";
-import axios from "axios";
+//* Every tab has its own AuthProvider state. Login, logout and role changes are broadcast so all open tabs stay in sync.
+
+//* BroadcastChannel is used where available. Older browsers fall back to the "storage" event, which fires in every *other* tab when localStorage changes.
+
+// context/AuthContext.js
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+// Same client as every other call: an expired access token on /me is
+// refreshed silently instead of logging the user out
+import { apiClient } from "../api/apiClient";
+
+const AUTH_CHANNEL = "auth";
+const AUTH_STORAGE_KEY = "auth:event";
+
+const createAuthChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(AUTH_CHANNEL);
+    channel.onmessage = (event) => onMessage(event.data);
+
+    return {
+      post: (message) => channel.postMessage(message),
+      close: () => channel.close(),
+    };
+  }
 
-axios.defaults.withCredentials = true;
+  const onStorage = (event) => {
+    if (event.key === AUTH_STORAGE_KEY && event.newValue) {
+      onMessage(JSON.parse(event.newValue));
+    }
+  };
+  window.addEventListener("storage", onStorage);
+
+  return {
+    // `at` makes every write a change, so the same event can be sent twice
+    post: (message) =>
+      localStorage.setItem(
+        AUTH_STORAGE_KEY,
+        JSON.stringify({ ...message, at: Date.now() })
+      ),
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+};
 
 const AuthContext = createContext();
 
@@ -279,24 +1331,76 @@ export const useAuth = () => useContext(AuthContext);
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const userRef = useRef(null);
+  const channelRef = useRef(null);
+
+  const updateUser = (nextUser) => {
+    userRef.current = nextUser;
+    setUser(nextUser);
+  };
 
-  const fetchUser = async () => {
+  const broadcast = (type) => channelRef.current?.post({ type });
+
+  const fetchUser = useCallback(async () => {
     try {
-      const res = await axios.get("http://localhost:5000/me");
-      setUser(res.data.user);
+      const res = await apiClient.get("/me", { _noRedirect: true });
+      updateUser(res.data.user);
+      return res.data.user;
     } catch {
-      setUser(null);
+      updateUser(null);
+      return null;
     } finally {
       setLoading(false);
     }
-  };
+  }, []);
+
+  const refresh = useCallback(async () => {
+    const previousRole = userRef.current?.role;
+    const nextUser = await fetchUser();
+
+    if (nextUser && previousRole && nextUser.role !== previousRole) {
+      broadcast("role-change");
+    }
+    return nextUser;
+  }, [fetchUser]);
+
+  const login = useCallback(
+    async (email, password) => {
+      await apiClient.post(
+        "/login",
+        { email, password },
+        { _skipRefresh: true }
+      );
+      const loggedInUser = await fetchUser();
+      broadcast("login");
+      return loggedInUser;
+    },
+    [fetchUser]
+  );
+
+  const logout = useCallback(async () => {
+    try {
+      await apiClient.post("/logout", null, { _noRedirect: true });
+    } finally {
+      updateUser(null);
+      broadcast("logout");
+    }
+  }, []);
 
   useEffect(() => {
+    // Messages from other tabs only update local state, they are never re-broadcast
+    channelRef.current = createAuthChannel(({ type }) => {
+      if (type === "logout") updateUser(null);
+      if (type === "login" || type === "role-change") fetchUser();
+    });
+
     fetchUser();
-  }, []);
+
+    return () => channelRef.current?.close();
+  }, [fetchUser]);
 
   return (
-    <AuthContext.Provider value={{ user, loading }}>
+    <AuthContext.Provider value={{ user, loading, login, logout, refresh }}>
       {children}
     </AuthContext.Provider>
   );